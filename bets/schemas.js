@@ -0,0 +1,252 @@
+/* ================================================================
+   Payload schemas for the bets dashboard
+   ================================================================ */
+/* One entry per /api/<name> endpoint (= bets/data/<name>.json). index.html
+   validates every payload fj() loads against these, and
+   test/check-bets-data.js validates the committed snapshot with the same file.
+
+   Spec language:
+     "number" "string" "boolean" "object" "array" "any"
+                           a value of that type; a trailing "?" also allows null
+     { a: spec, "b?": spec }  object with field a, and b when present (not null)
+     { "*": spec }            every value of a keyed map matches spec
+     [spec]                   array whose items match spec
+
+   Only fields the dashboard actually reads are listed; extra fields are fine.
+   `time` picks the payload's own timestamp for the freshness badge (without
+   one the panel ages from sync_meta.synced_at), and `maxAge` is the
+   [amber, red] age in seconds. */
+(function (root) {
+  var DEFAULT_MAX_AGE = [15 * 60, 2 * 3600];
+
+  var ACCURACY = { accuracy: "number", correct: "number", total: "number", "pct?": "number" };
+  var PORTFOLIO = {
+    cash_sek: "number",
+    holdings: { "*": { shares: "number", "avg_cost_usd?": "number" } },
+    "initial_value_sek?": "number",
+    "total_fees_sek?": "number",
+    "transactions?": [{
+      action: "string", ticker: "string", shares: "number", total_sek: "number", timestamp: "string",
+      "price_usd?": "number", "fee_sek?": "number", "reason?": "string"
+    }]
+  };
+  var TRIGGER = { ts: "string", "reasons?": ["string"], "status?": "string", "tier?": "number" };
+
+  function newest(list) {
+    var best = null;
+    (list || []).forEach(function (e) {
+      var ms = new Date(e && e.ts).getTime();
+      if (!isNaN(ms) && (best === null || ms > best)) best = ms;
+    });
+    return best;
+  }
+
+  var SCHEMAS = {
+    summary: {
+      spec: {
+        signals: {
+          timestamp: "string",
+          "fx_rate?": "number",
+          "portfolio?": { "total_sek?": "number", "pnl_pct?": "number", "cash_sek?": "number" },
+          signals: { "*": { "action?": "string", "price_usd?": "number", "rsi?": "number", "extra?": "object" } },
+          "timeframes?": "object",
+          "signal_weights?": { "*": { "normalized_weight?": "number" } }
+        },
+        portfolio: PORTFOLIO,
+        "portfolio_bold?": PORTFOLIO,
+        "telegrams?": [{ "ts?": "string", "text?": "string" }]
+      },
+      time: function (d) { return d.signals && d.signals.timestamp; }
+    },
+    sync_meta: {
+      spec: { synced_at: "string", endpoints_ok: "number", endpoints_failed: "number", endpoints_total: "number", "endpoints_changed?": "number" },
+      time: function (d) { return d.synced_at; }
+    },
+    health: {
+      spec: {
+        status: "string",
+        "agent_silent?": "boolean",
+        "agent_silence_seconds?": "number",
+        "heartbeat_age_seconds?": "number",
+        "cycle_count?": "number",
+        "error_count?": "number",
+        "circuit_breakers?": { "*": { state: "string", "failure_count?": "number" } },
+        "recent_errors?": [{ "error?": "string", "ts?": "string" }],
+        "last_trigger_time?": "string"
+      }
+    },
+    risk: {
+      spec: {
+        "monte_carlo?": { "*": { "p_up?": "number", "price_usd?": "number", "p_stop_hit_1d?": "number", "expected_return_1d?": { "mean_pct?": "number" } } },
+        "portfolio_var?": { "*": { "var_95_usd?": "number", "cvar_95_usd?": "number", "n_positions?": "number" } }
+      }
+    },
+    warrants: {
+      spec: {
+        holdings: { "*": { "name?": "string", "units?": "number", "entry_price_sek?": "number", "underlying?": "string", "leverage?": "number" } },
+        "transactions?": ["object"]
+      }
+    },
+    metals: {
+      spec: {
+        context: { "timestamp?": "string", "check_count?": "number", "totals?": "object", "underlying?": "object", "positions?": "object" },
+        "technicals?": "object",
+        "decisions?": [{
+          "ts?": "string", "tier?": "number", "action?": "string",
+          "prediction?": { "direction?": "string", "confidence?": "number", "horizon?": "string" }
+        }]
+      },
+      time: function (d) { return d.context && d.context.timestamp; }
+    },
+    golddigger: {
+      spec: {
+        state: { "ts?": "string", "composite_score?": "number", "equity_sek?": "number", "gold_price?": "number", "position?": "any" },
+        "log?": [{ ts: "string", "composite_score?": "number" }],
+        "trades?": ["object"]
+      },
+      time: function (d) { return d.state && d.state.ts; }
+    },
+    "lora-status": {
+      spec: { "training_progress?": "any" }
+    },
+    "signal-heatmap": {
+      spec: {
+        tickers: ["string"],
+        signals: ["string"],
+        "core_signals?": ["string"],
+        "enhanced_signals?": ["string"],
+        heatmap: { "*": { "*": "string" } }
+      }
+    },
+    "signal-log": {
+      spec: [{
+        ts: "string",
+        tickers: { "*": { "consensus?": "string", "buy_count?": "number", "sell_count?": "number", "signals?": { "*": "string" } } }
+      }],
+      time: newest
+    },
+    triggers: { spec: [TRIGGER] },
+    invocations: { spec: [TRIGGER] },
+    decisions: {
+      spec: [{
+        ts: "string",
+        "trigger?": "string",
+        "regime?": "string",
+        decisions: { "*": { "action?": "string", "reasoning?": "string" } },
+        "tickers?": { "*": { "outlook?": "string", "conviction?": "number", "thesis?": "string", "levels?": ["number"] } },
+        "watchlist?": ["string"]
+      }]
+    },
+    telegrams: {
+      spec: [{ ts: "string", category: "string", text: "string" }]
+    },
+    trades: {
+      spec: [{ ts: "string", action: "string", ticker: "string", strategy: "string", total_sek: "number", "price_usd?": "number" }]
+    },
+    "equity-curve": {
+      spec: [{
+        ts: "string",
+        patient_value_sek: "number",
+        bold_value_sek: "number",
+        "patient_pnl_pct?": "number",
+        "bold_pnl_pct?": "number",
+        "fx_rate?": "number",
+        "prices?": { "*": "number" }
+      }],
+      time: newest
+    },
+    accuracy: {
+      spec: { "*": { consensus: ACCURACY, signals: { "*": ACCURACY }, "per_ticker?": { "*": ACCURACY } } }
+    },
+    "accuracy-history": {
+      spec: [{ ts: "string", signals: { "*": { accuracy: "number", total: "number" } } }],
+      time: newest,
+      maxAge: [2 * 86400, 7 * 86400]
+    },
+    "metals-accuracy": {
+      spec: {
+        ts: "string",
+        "resolved_snapshots?": "number",
+        stats: { "*": {
+          accuracy: "number", total: "number", "correct?": "number", "avg_conf?": "number",
+          "brier?": "number", "calibration_gap?": "number", "bias?": "number"
+        } }
+      },
+      time: function (d) { return d.ts; },
+      maxAge: [6 * 3600, 24 * 3600]
+    }
+  };
+
+  function typeOf(v) {
+    if (v === null || v === undefined) return "null";
+    if (Array.isArray(v)) return "array";
+    if (typeof v === "number" && isNaN(v)) return "NaN";
+    return typeof v;
+  }
+
+  // Appends "path: problem" strings to errors
+  function validate(spec, value, path, errors) {
+    path = path || "$";
+    errors = errors || [];
+    var actual = typeOf(value);
+    if (typeof spec === "string") {
+      var nullable = spec.charAt(spec.length - 1) === "?";
+      var want = nullable ? spec.slice(0, -1) : spec;
+      if (actual === "null" && nullable) return errors;
+      if (want !== "any" && actual !== want) errors.push(path + ": expected " + want + ", got " + actual);
+      else if (want === "any" && actual === "null") errors.push(path + ": missing");
+      return errors;
+    }
+    if (Array.isArray(spec)) {
+      if (actual !== "array") {
+        errors.push(path + ": expected array, got " + actual);
+        return errors;
+      }
+      value.forEach(function (item, i) { validate(spec[0], item, path + "[" + i + "]", errors); });
+      return errors;
+    }
+    if (actual !== "object") {
+      errors.push(path + ": expected object, got " + actual);
+      return errors;
+    }
+    Object.keys(spec).forEach(function (key) {
+      if (key === "*") {
+        Object.keys(value).forEach(function (k) { validate(spec["*"], value[k], path + "." + k, errors); });
+        return;
+      }
+      var optional = key.charAt(key.length - 1) === "?";
+      var name = optional ? key.slice(0, -1) : key;
+      if (typeOf(value[name]) === "null") {
+        if (!optional) errors.push(path + "." + name + ": missing");
+        return;
+      }
+      validate(spec[key], value[name], path + "." + name, errors);
+    });
+    return errors;
+  }
+
+  // Problems with one endpoint's payload; endpoints without a schema pass
+  function validatePayload(name, data) {
+    var schema = SCHEMAS[name];
+    return schema ? validate(schema.spec, data, name, []) : [];
+  }
+
+  // The payload's own timestamp in ms, or null when it has none
+  function payloadTime(name, data) {
+    var schema = SCHEMAS[name];
+    if (!schema || !schema.time || data == null) return null;
+    var t = schema.time(data);
+    var ms = typeof t === "number" ? t : new Date(t).getTime();
+    return t == null || isNaN(ms) ? null : ms;
+  }
+
+  // "ok", "warn" (amber) or "stale" (red) for data ageSec seconds old
+  function freshnessLevel(name, ageSec) {
+    var limits = (SCHEMAS[name] && SCHEMAS[name].maxAge) || DEFAULT_MAX_AGE;
+    return ageSec >= limits[1] ? "stale" : ageSec >= limits[0] ? "warn" : "ok";
+  }
+
+  var api = { SCHEMAS: SCHEMAS, validate: validate, validatePayload: validatePayload, payloadTime: payloadTime, freshnessLevel: freshnessLevel };
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+  else root.BetsSchemas = api;
+})(this);
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// ============================================
+// BETS DASHBOARD SERVER - local reference API for bets/index.html
+// Node built-ins only, serves the snapshot files in bets/data
+//
+//   node server/bets-server.js               -> http://localhost:8790/
+//   PORT=9000 BETS_TOKEN=secret BETS_DATA_DIR=/path/to/data node server/bets-server.js
+//
+//   GET /                      the dashboard itself
+//   GET /schemas.js            its payload schemas (bets/schemas.js)
+//   GET /data/<name>.json      raw snapshot files (the dashboard's static fallback)
+//   GET /api/<name>            bets/data/<name>.json, with the dashboard's filters
+//                              applied server-side (see applyFilters)
+//   GET /api/events            Server-Sent Events: `change` whenever a data file
+//                              changes, with the endpoint names that changed
+//
+// With BETS_TOKEN set every /api/* and /data/* route needs ?token=<BETS_TOKEN>,
+// the same parameter the dashboard forwards from its own URL (_withApiToken).
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8790;
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'bets', 'data');
+const DASHBOARD_FILE = path.join(__dirname, '..', 'bets', 'index.html');
+const SCHEMAS_FILE = path.join(__dirname, '..', 'bets', 'schemas.js');
+const ENDPOINT_PATTERN = /^[a-z0-9_-]+$/;
+const CHANGE_DEBOUNCE_MS = 150;
+const KEEPALIVE_MS = 25000;
+const SSE_RETRY_MS = 5000;
+
+// ============================================
+// FILTERS
+// ============================================
+// Same rules as _applyStaticFilters() in bets/index.html, so the live API and
+// the static fallback answer a query identically. Only list endpoints filter.
+function applyFilters(name, params, data) {
+    if (!Array.isArray(data)) return data;
+
+    if (name === 'telegrams') {
+        const category = (params.get('category') || '').toLowerCase();
+        const search = (params.get('search') || '').toLowerCase();
+        if (category) data = data.filter(entry => (entry.category || '').toLowerCase() === category);
+        if (search) data = data.filter(entry => (entry.text || '').toLowerCase().includes(search));
+    } else if (name === 'decisions') {
+        const ticker = (params.get('ticker') || '').toUpperCase();
+        const action = (params.get('action') || '').toUpperCase();
+        const strategy = (params.get('strategy') || '').toLowerCase();
+        data = data.filter(entry => {
+            if (action || strategy) {
+                const matched = Object.entries(entry.decisions || {}).some(([strat, dec]) =>
+                    (!strategy || strat === strategy) && (!action || ((dec || {}).action || '').toUpperCase() === action));
+                if (!matched) return false;
+            }
+            return !ticker || Object.prototype.hasOwnProperty.call(entry.tickers || {}, ticker);
+        });
+    }
+
+    const limit = parseInt(params.get('limit') || '', 10);
+    if (!isNaN(limit) && limit > 0) data = data.slice(0, limit);
+    return data;
+}
+
+// ============================================
+// DATA DIRECTORY
+// ============================================
+// Files are parsed on demand and cached until their mtime changes, so a sync
+// job rewriting bets/data is picked up without a restart.
+function createBetsStore(dir = DEFAULT_DATA_DIR) {
+    const cache = new Map();   // name -> { mtimeMs, data }
+
+    function fileOf(name) {
+        return path.join(dir, name + '.json');
+    }
+
+    function names() {
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -5))
+            .filter(name => ENDPOINT_PATTERN.test(name))
+            .sort();
+    }
+
+    // Parsed contents, or null when there is no such file
+    function read(name) {
+        if (!ENDPOINT_PATTERN.test(name)) return null;
+        let stat;
+        try {
+            stat = fs.statSync(fileOf(name));
+        } catch (e) {
+            return null;
+        }
+        const cached = cache.get(name);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
+        const data = JSON.parse(fs.readFileSync(fileOf(name), 'utf8'));
+        cache.set(name, { mtimeMs: stat.mtimeMs, data });
+        return data;
+    }
+
+    function mtimes() {
+        const out = {};
+        for (const name of names()) {
+            try {
+                out[name] = fs.statSync(fileOf(name)).mtimeMs;
+            } catch (e) {
+                // deleted between readdir and stat - reported as removed below
+            }
+        }
+        return out;
+    }
+
+    // Calls onChange(names) with every endpoint whose file was added, rewritten or
+    // removed. fs.watch fires several times per write (and not always with a
+    // filename), so events are debounced and the directory is diffed by mtime.
+    function watch(onChange) {
+        let known = mtimes();
+        let timer = null;
+        const watcher = fs.watch(dir, () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const now = mtimes();
+                const changed = [...new Set([...Object.keys(known), ...Object.keys(now)])]
+                    .filter(name => known[name] !== now[name])
+                    .sort();
+                known = now;
+                if (changed.length > 0) onChange(changed);
+            }, CHANGE_DEBOUNCE_MS);
+        });
+        return {
+            close() {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
+    }
+
+    return { names, read, watch, dir };
+}
+
+// ============================================
+// HTTP API
+// ============================================
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function tokenMatches(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Live clients of /api/events, sent a `change` event per debounced batch
+function createEventHub() {
+    const clients = new Set();
+
+    function open(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    }
+
+    function broadcast(event, body) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(body)}\n\n`;
+        clients.forEach(res => res.write(message));
+    }
+
+    // Comment lines keep proxies from closing idle streams
+    const keepalive = setInterval(() => clients.forEach(res => res.write(': keepalive\n\n')), KEEPALIVE_MS);
+    keepalive.unref();
+
+    function close() {
+        clearInterval(keepalive);
+        clients.forEach(res => res.end());
+        clients.clear();
+    }
+
+    return { open, broadcast, close, get size() { return clients.size; } };
+}
+
+function createServer(store, { token = '', allowOrigin = '*', watch = true } = {}) {
+    const events = createEventHub();
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'GET') {
+            sendJSON(res, 405, { error: 'method not allowed' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const apiMatch = url.pathname.match(/^\/api\/([^/]+)$/);
+        const dataMatch = url.pathname.match(/^\/data\/([^/]+)\.json$/);
+
+        // The raw snapshots are the same data as the API, so they sit behind the same token
+        if ((apiMatch || dataMatch) && token && !tokenMatches(token, url.searchParams.get('token'))) {
+            sendJSON(res, 401, { error: 'unauthorized' });
+            return;
+        }
+
+        try {
+            if (url.pathname === '/' || url.pathname === '/index.html') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(fs.readFileSync(DASHBOARD_FILE));
+            } else if (url.pathname === '/schemas.js') {
+                res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+                res.end(fs.readFileSync(SCHEMAS_FILE));
+            } else if (dataMatch) {
+                const data = store.read(dataMatch[1]);
+                if (data === null) sendJSON(res, 404, { error: 'not found' });
+                else sendJSON(res, 200, data);
+            } else if (apiMatch) {
+                if (apiMatch[1] === 'events') {
+                    events.open(req, res);
+                } else {
+                    const data = store.read(apiMatch[1]);
+                    if (data === null) sendJSON(res, 404, { error: `no data for ${apiMatch[1]}` });
+                    else sendJSON(res, 200, applyFilters(apiMatch[1], url.searchParams, data));
+                }
+            } else {
+                sendJSON(res, 404, { error: 'not found' });
+            }
+        } catch (e) {
+            console.error('Bets request failed', e);
+            sendJSON(res, 500, { error: 'internal error' });
+        }
+    });
+
+    const watcher = watch ? store.watch(files => events.broadcast('change', { files, at: Date.now() })) : null;
+
+    // Event streams never end on their own, so end them before http.Server waits on them
+    const closeServer = server.close.bind(server);
+    server.close = callback => {
+        if (watcher) watcher.close();
+        events.close();
+        return closeServer(callback);
+    };
+    server.events = events;
+    return server;
+}
+
+module.exports = { applyFilters, createBetsStore, createServer };
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const store = createBetsStore(process.env.BETS_DATA_DIR || DEFAULT_DATA_DIR);
+    const token = process.env.BETS_TOKEN || '';
+    createServer(store, { token, allowOrigin: process.env.ALLOW_ORIGIN || '*' }).listen(port, () => {
+        console.log(`Bets dashboard on http://localhost:${port}/${token ? '?token=' + token : ''} (data: ${store.dir})`);
+    });
+}
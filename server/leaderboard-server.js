@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// ============================================
+// RAANMAN LEADERBOARD SERVER - self-hostable backend
+// Node built-ins only, file-backed storage
+//
+//   node server/leaderboard-server.js
+//   PORT=8787 LEADERBOARD_FILE=/var/lib/raanman/board.json node server/leaderboard-server.js
+//
+//   POST /api/scores                    submit a finished run
+//   GET  /api/leaderboard?limit=N       best run per player, highest first,
+//                                       each with a short summary of recent runs
+//   GET  /api/players/:name/history     a player's rank, best run and runs, newest first
+//
+// Every route takes ?board=KEY (or `board` in the POST body) to address a custom
+// level's own board; without it runs go to the main campaign board.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FILE = path.join(__dirname, 'data', 'leaderboard.json');
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_TOP_LIMIT = 20;
+const MAX_TOP_LIMIT = 100;
+const MAX_HISTORY_PER_PLAYER = 50;
+const TOP_HISTORY_RUNS = 20;
+
+// ============================================
+// SCORE VALIDATION
+// ============================================
+// The game runs at a fixed 60 steps/s, so `frames` is the run length in steps.
+// These bounds are generous - they only reject runs no human could have played.
+const FRAMES_PER_SECOND = 60;
+const MAX_LEVEL = 99;
+const MIN_FRAMES_PER_LEVEL = 300;    // reaching + beating a boss takes well over 5s
+const MAX_SCORE_PER_FRAME = 250;     // ~15k/s, far above a maxed-combo hack spree
+const MAX_COMBO = 999;
+const MAX_REPLAY_CHARS = 20000;
+const NAME_PATTERN = /^[^<>&"'`\u0000-\u001f]{1,15}$/;
+const SEED_PATTERN = /^[A-Z0-9_-]{1,16}$/;
+const INPUTS_PATTERN = /^([0-9a-z]+\.[0-9a-z]+(,|$))*$/;
+const BOARD_PATTERN = /^[a-z0-9-]{1,40}$/;
+const MAIN_BOARD = 'main';
+
+function isCount(n, max = Number.MAX_SAFE_INTEGER) {
+    return Number.isInteger(n) && n >= 0 && n <= max;
+}
+
+// Returns { entry } with a normalized copy, or { error } explaining the rejection
+function validateSubmission(body) {
+    if (!body || typeof body !== 'object') return { error: 'body must be a JSON object' };
+
+    const name = String(body.name || '').trim().toUpperCase().substr(0, 15);
+    if (!NAME_PATTERN.test(name)) return { error: 'invalid name' };
+
+    const { score, level, frames } = body;
+    if (!isCount(score)) return { error: 'score must be a non-negative integer' };
+    if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) return { error: 'invalid level' };
+    if (!Number.isInteger(frames) || frames < 1) return { error: 'frames must be a positive integer' };
+
+    const todosDeleted = body.todosDeleted || 0;
+    const maxCombo = body.maxCombo || 1;
+    const bossesDefeated = body.bossesDefeated || 0;
+    if (!isCount(todosDeleted) || !isCount(maxCombo, MAX_COMBO) || !isCount(bossesDefeated)) {
+        return { error: 'invalid run stats' };
+    }
+
+    // Plausibility: score vs time played, level vs time played, bosses vs level
+    if (frames < (level - 1) * MIN_FRAMES_PER_LEVEL) {
+        return { error: `level ${level} reached too quickly` };
+    }
+    if (score > frames * MAX_SCORE_PER_FRAME) {
+        return { error: `score too high for a ${Math.round(frames / FRAMES_PER_SECOND)}s run` };
+    }
+    if (bossesDefeated > level) return { error: 'more bosses defeated than levels played' };
+
+    const entry = { name, score, level, frames, todosDeleted, maxCombo, bossesDefeated };
+
+    if (body.board !== undefined && body.board !== MAIN_BOARD) {
+        if (typeof body.board !== 'string' || !BOARD_PATTERN.test(body.board)) return { error: 'invalid board' };
+        entry.board = body.board;
+    }
+
+    if (body.seed !== undefined) {
+        if (typeof body.seed !== 'string' || !SEED_PATTERN.test(body.seed)) return { error: 'invalid seed' };
+        entry.seed = body.seed;
+    }
+
+    if (body.replay !== undefined) {
+        const r = body.replay;
+        if (!r || r.format !== 'raanman-replay' || typeof r.inputs !== 'string' ||
+            r.inputs.length > MAX_REPLAY_CHARS || !INPUTS_PATTERN.test(r.inputs)) {
+            return { error: 'invalid replay' };
+        }
+        if (r.frames !== frames || r.seed !== entry.seed) return { error: 'replay does not match run' };
+        entry.replay = r;
+    }
+
+    return { entry };
+}
+
+// 1..MAX_TOP_LIMIT; missing, NaN, zero or negative limits get the default
+function clampTopLimit(limit) {
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_TOP_LIMIT) : DEFAULT_TOP_LIMIT;
+}
+
+// ============================================
+// FILE-BACKED STORE
+// ============================================
+// Every operation is synchronous, so a submit is a single uninterrupted
+// read-modify-write on the event loop - concurrent requests queue up instead of
+// clobbering each other. Writes go to a temp file and are renamed into place, so
+// a crash mid-write never leaves a truncated board. One server process per file.
+function createLeaderboardStore(file = DEFAULT_FILE) {
+    let data = { version: 1, nextId: 1, submissions: [] };
+
+    if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!parsed || !Array.isArray(parsed.submissions)) {
+            throw new Error(`${file} is not a leaderboard file`);
+        }
+        data = parsed;
+    }
+
+    function persist() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    function boardOf(s) {
+        return s.board || MAIN_BOARD;
+    }
+
+    function bestByPlayer(board) {
+        const best = new Map();
+        for (const s of data.submissions) {
+            if (boardOf(s) !== board) continue;
+            const current = best.get(s.name);
+            if (!current || s.score > current.score) best.set(s.name, s);
+        }
+        return [...best.values()].sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+    }
+
+    // Keep the history bounded and only the player's best run carries a replay
+    function prunePlayer(name, board) {
+        const runs = runsOf(name, board);
+        const best = runs.reduce((a, b) => (b.score > a.score ? b : a));
+        runs.forEach(s => { if (s !== best) delete s.replay; });
+
+        const excess = runs.length - MAX_HISTORY_PER_PLAYER;
+        if (excess > 0) {
+            const drop = new Set(runs.filter(s => s !== best).slice(-excess));
+            data.submissions = data.submissions.filter(s => !drop.has(s));
+        }
+    }
+
+    function placement(stored, extra = {}) {
+        const board = bestByPlayer(boardOf(stored));
+        const rank = board.findIndex(s => s.name === stored.name) + 1;
+        return { entry: stored, rank, best: board[rank - 1] === stored, ...extra };
+    }
+
+    function submit(entry, now = Date.now()) {
+        // Re-submitting the same run (e.g. SAVE & CONTINUE) doesn't add history
+        const existing = data.submissions.find(s => s.name === entry.name && boardOf(s) === boardOf(entry) &&
+                                                    s.seed === entry.seed && s.frames === entry.frames &&
+                                                    s.score === entry.score);
+        if (existing) return placement(existing, { duplicate: true });
+
+        const stored = { id: data.nextId++, ...entry, timestamp: now };
+        data.submissions.push(stored);
+        prunePlayer(stored.name, boardOf(stored));
+        persist();
+        return placement(stored);
+    }
+
+    function runsOf(name, board) {
+        return data.submissions
+            .filter(s => s.name === name && boardOf(s) === board)
+            .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id);
+    }
+
+    // Same compact shape the game keeps per name: s=score l=level b=bosses t=time r=run key
+    function runSummary(s) {
+        return { s: s.score, l: s.level, b: s.bossesDefeated, t: s.timestamp, r: `${s.seed || ''}:${s.frames}` };
+    }
+
+    function top(limit = DEFAULT_TOP_LIMIT, board = MAIN_BOARD) {
+        return bestByPlayer(board)
+            .slice(0, clampTopLimit(limit))
+            .map(best => ({ ...best, history: runsOf(best.name, board).slice(0, TOP_HISTORY_RUNS).reverse().map(runSummary) }));
+    }
+
+    function history(name, limit = MAX_HISTORY_PER_PLAYER, boardKey = MAIN_BOARD) {
+        const key = String(name).trim().toUpperCase();
+        const board = bestByPlayer(boardKey);
+        const rank = board.findIndex(s => s.name === key) + 1;
+        return {
+            name: key,
+            rank: rank || null,
+            players: board.length,
+            best: rank ? (({ replay, ...run }) => run)(board[rank - 1]) : null,
+            history: runsOf(key, boardKey).slice(0, limit).map(({ replay, ...run }) => run)
+        };
+    }
+
+    return { submit, top, history, file };
+}
+
+// ============================================
+// HTTP API
+// ============================================
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// An oversized body stops being buffered and the rest is discarded, so the
+// socket stays up long enough for the client to read the 413
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.off('data', onData);
+                req.resume();
+                reject(Object.assign(new Error('body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function createServer(store, { allowOrigin = '*' } = {}) {
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const historyMatch = url.pathname.match(/^\/api\/players\/([^/]+)\/history$/);
+        const board = url.searchParams.get('board') || MAIN_BOARD;
+        if (board !== MAIN_BOARD && !BOARD_PATTERN.test(board)) {
+            sendJSON(res, 400, { error: 'invalid board' });
+            return;
+        }
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+                sendJSON(res, 200, { leaderboard: store.top(parseInt(url.searchParams.get('limit'), 10), board) });
+            } else if (req.method === 'GET' && historyMatch) {
+                let name;
+                try {
+                    name = decodeURIComponent(historyMatch[1]);
+                } catch (e) {
+                    sendJSON(res, 400, { error: 'invalid player name' });
+                    return;
+                }
+                sendJSON(res, 200, store.history(name, undefined, board));
+            } else if (req.method === 'POST' && url.pathname === '/api/scores') {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch (e) {
+                    // Don't keep the connection around for the rest of a body we refused
+                    if (e.status === 413) res.setHeader('Connection', 'close');
+                    sendJSON(res, e.status || 400, { error: e.status ? e.message : 'invalid JSON' });
+                    return;
+                }
+                const { entry, error } = validateSubmission(body);
+                if (error) {
+                    sendJSON(res, 422, { error });
+                    return;
+                }
+                sendJSON(res, 201, store.submit(entry));
+            } else {
+                sendJSON(res, 404, { error: 'not found' });
+            }
+        } catch (e) {
+            console.error('Leaderboard request failed', e);
+            sendJSON(res, 500, { error: 'internal error' });
+        }
+    });
+}
+
+module.exports = { validateSubmission, createLeaderboardStore, createServer };
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const store = createLeaderboardStore(process.env.LEADERBOARD_FILE || DEFAULT_FILE);
+    createServer(store, { allowOrigin: process.env.ALLOW_ORIGIN || '*' }).listen(port, () => {
+        console.log(`Raanman leaderboard on http://localhost:${port} (data: ${store.file})`);
+    });
+}
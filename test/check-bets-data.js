@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// ============================================
+// BETS DATA CHECK - validates bets/data/*.json against bets/schemas.js
+// The same schemas the dashboard checks every payload with, so a sync job
+// that changes a file's shape fails here before the panels go blank.
+//
+//   node test/check-bets-data.js              -> checks bets/data
+//   node test/check-bets-data.js /path/to/data
+//
+// Exits 1 when a file does not parse or does not match its schema. Files
+// without a schema are listed but do not fail the check.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMAS, validatePayload } = require('../bets/schemas');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'bets', 'data');
+
+// { name: { errors: [...] } | { unchecked: true } } for every .json file in dir
+function checkBetsData(dir = DEFAULT_DATA_DIR) {
+    const results = {};
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        const name = file.slice(0, -5);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (e) {
+            results[name] = { errors: [`${name}: ${e.message}`] };
+            continue;
+        }
+        results[name] = SCHEMAS[name] ? { errors: validatePayload(name, data) } : { unchecked: true };
+    }
+    return results;
+}
+
+module.exports = { checkBetsData };
+
+if (require.main === module) {
+    const dir = process.argv[2] || DEFAULT_DATA_DIR;
+    const results = checkBetsData(dir);
+    let failed = 0;
+    for (const [name, result] of Object.entries(results)) {
+        if (result.unchecked) {
+            console.log(`  ? ${name} (no schema)`);
+        } else if (result.errors.length) {
+            failed++;
+            console.log(`  \x1b[31m✗\x1b[0m ${name}`);
+            result.errors.forEach(e => console.log(`      ${e}`));
+        } else {
+            console.log(`  \x1b[32m✓\x1b[0m ${name}`);
+        }
+    }
+    console.log(`\n${Object.keys(results).length - failed} of ${Object.keys(results).length} data files OK (${dir})`);
+    process.exit(failed ? 1 : 0);
+}
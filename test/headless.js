@@ -0,0 +1,543 @@
+// ============================================
+// HEADLESS GAME HARNESS
+// Runs the real inline scripts of the 2D and 3D games inside a Node vm,
+// against a stubbed DOM / canvas (and a minimal Babylon for 3D), so tests
+// can drive actual frames instead of re-implemented copies of the logic.
+//
+//   const game = loadGame2D({ seed: 'TEST' });
+//   game.start();
+//   game.step(600, { right: true });
+//   game.eval('raanman.x'), game.snapshot()
+//
+// Top-level let/const of a page live in the vm context's lexical scope, so
+// game.eval() reads and writes them exactly like the page itself does.
+// Time is virtual: Date.now, performance.now, setTimeout and
+// requestAnimationFrame only move when the harness steps.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const FRAME_MS = 1000 / 60;
+const START_TIME = Date.UTC(2026, 0, 1, 12);
+
+function readInlineScripts(file) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    return [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]).join('\n');
+}
+
+// mulberry32 - same generator the 2D game seeds its runs with
+function seededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : [...String(seed)].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619), 2166136261) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// DOM / CANVAS STUBS
+// ============================================
+// A 2D context that accepts every call and remembers assigned properties
+function createContext2D(canvas) {
+    const gradient = { addColorStop() {} };
+    const known = {
+        canvas,
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => ({}),
+        measureText: text => ({ width: String(text).length * 7 }),
+        getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(Math.max(0, w * h * 4)), width: w, height: h }),
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+        isPointInPath: () => false,
+        getLineDash: () => []
+    };
+    return new Proxy(known, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => { target[key] = value; return true; }
+    });
+}
+
+function createElement(tagName = 'div', id = '') {
+    const listeners = {};
+    const classes = new Set();
+    const queried = {};
+    let context = null;
+    const el = {
+        tagName: String(tagName).toUpperCase(),
+        nodeName: String(tagName).toUpperCase(),
+        id,
+        style: { setProperty() {}, removeProperty() {} },
+        dataset: {},
+        attributes: {},
+        children: [],
+        childNodes: [],
+        parentNode: null,
+        textContent: '',
+        innerHTML: '',
+        innerText: '',
+        value: '',
+        checked: false,
+        disabled: false,
+        files: [],
+        options: [],
+        width: 300,
+        height: 150,
+        offsetWidth: 0,
+        offsetHeight: 0,
+        clientWidth: 0,
+        clientHeight: 0,
+        className: '',
+        classList: {
+            add: (...names) => names.forEach(n => classes.add(n)),
+            remove: (...names) => names.forEach(n => classes.delete(n)),
+            toggle(name, force) {
+                const on = force === undefined ? !classes.has(name) : !!force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            },
+            contains: name => classes.has(name)
+        },
+        listeners,
+        addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+        removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+        dispatch(type, props = {}) {
+            const event = { type, target: el, currentTarget: el, preventDefault() {}, stopPropagation() {}, ...props };
+            (listeners[type] || []).slice().forEach(fn => fn(event));
+            return event;
+        },
+        dispatchEvent(event) { el.dispatch(event.type, event); return true; },
+        click() { el.dispatch('click'); },
+        focus() {},
+        blur() {},
+        select() {},
+        scrollIntoView() {},
+        setAttribute(name, value) { el.attributes[name] = String(value); },
+        getAttribute: name => (name in el.attributes ? el.attributes[name] : null),
+        removeAttribute(name) { delete el.attributes[name]; },
+        hasAttribute: name => name in el.attributes,
+        appendChild(child) { el.children.push(child); child.parentNode = el; return child; },
+        append(...nodes) { nodes.forEach(n => (typeof n === 'object' ? el.appendChild(n) : null)); },
+        prepend(...nodes) { el.children.unshift(...nodes.filter(n => typeof n === 'object')); },
+        insertBefore(child) { return el.appendChild(child); },
+        removeChild(child) { el.children = el.children.filter(c => c !== child); return child; },
+        replaceChildren(...nodes) { el.children = []; el.append(...nodes); },
+        remove() { if (el.parentNode) el.parentNode.removeChild(el); },
+        contains: other => other === el || el.children.includes(other),
+        closest: () => null,
+        querySelector: sel => queried[sel] || (queried[sel] = createElement('div')),
+        querySelectorAll: () => [],
+        getElementsByTagName: () => [],
+        getBoundingClientRect: () => ({ left: 0, top: 0, right: el.width, bottom: el.height, width: el.width, height: el.height, x: 0, y: 0 }),
+        getContext: () => context || (context = createContext2D(el)),
+        toDataURL: () => 'data:,',
+        requestFullscreen: () => Promise.resolve(),
+        requestPointerLock() {},
+        showPicker() {}
+    };
+    return el;
+}
+
+function createDocument() {
+    const byId = {};
+    const listeners = {};
+    const document = {
+        readyState: 'complete',
+        hidden: false,
+        visibilityState: 'visible',
+        fullscreenElement: null,
+        pointerLockElement: null,
+        activeElement: null,
+        listeners,
+        byId,
+        body: createElement('body'),
+        documentElement: createElement('html'),
+        head: createElement('head'),
+        getElementById: id => byId[id] || (byId[id] = createElement(id === 'gameCanvas' || /canvas/i.test(id) ? 'canvas' : 'div', id)),
+        createElement: tag => createElement(tag),
+        createElementNS: (ns, tag) => createElement(tag),
+        createTextNode: text => ({ textContent: text }),
+        createDocumentFragment: () => createElement('fragment'),
+        querySelector: sel => createElement('div', sel),
+        querySelectorAll: () => [],
+        getElementsByClassName: () => [],
+        addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+        removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+        dispatch(type, props = {}) {
+            const event = { type, target: document.body, preventDefault() {}, stopPropagation() {}, ...props };
+            (listeners[type] || []).slice().forEach(fn => fn(event));
+            return event;
+        },
+        exitFullscreen: () => Promise.resolve(),
+        exitPointerLock() {}
+    };
+    return document;
+}
+
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+        clear: () => Object.keys(data).forEach(k => delete data[k]),
+        key: i => Object.keys(data)[i] || null,
+        get length() { return Object.keys(data).length; }
+    };
+}
+
+// A browser-ish global with a virtual clock. Timers and animation frames
+// only fire from advance()/frame().
+function createBrowser({ url = 'https://raanman.lol/', width = 1280, height = 720, storage = {}, random = 1 } = {}) {
+    const document = createDocument();
+    const clock = { now: 0, nextId: 1, timers: [], rafs: [] };
+    const windowListeners = {};
+    const location = new URL(url);
+    const math = Object.create(Math);
+    math.random = seededRandom(random);
+
+    const addTimer = (fn, ms, repeat) => {
+        const id = clock.nextId++;
+        if (typeof fn === 'function') clock.timers.push({ id, fn, at: clock.now + Math.max(0, ms || 0), every: repeat ? Math.max(1, ms || 0) : 0 });
+        return id;
+    };
+    const clearTimer = id => { clock.timers = clock.timers.filter(t => t.id !== id); };
+    const noop = () => {};
+    const logs = [];
+
+    const sandbox = {
+        console: { log: (...a) => logs.push(a.join(' ')), info: noop, debug: noop, warn: noop, error: (...a) => logs.push('error: ' + a.join(' ')) },
+        Math: math,
+        Date: class extends Date {
+            constructor(...args) { super(...(args.length ? args : [START_TIME + clock.now])); }
+            static now() { return START_TIME + clock.now; }
+        },
+        performance: { now: () => clock.now },
+        setTimeout: (fn, ms) => addTimer(fn, ms, false),
+        setInterval: (fn, ms) => addTimer(fn, ms, true),
+        clearTimeout: clearTimer,
+        clearInterval: clearTimer,
+        requestAnimationFrame: fn => { clock.rafs.push(fn); return clock.nextId++; },
+        cancelAnimationFrame: noop,
+        queueMicrotask,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Blob: class { constructor(parts) { this.parts = parts; } },
+        FileReader: class { readAsText() {} },
+        btoa,
+        atob,
+        structuredClone,
+        document,
+        navigator: { userAgent: 'node-headless', maxTouchPoints: 0, language: 'en', getGamepads: () => [] },
+        location: {
+            href: location.href, origin: location.origin, pathname: location.pathname,
+            search: location.search, hash: location.hash, host: location.host, reload: noop
+        },
+        history: { replaceState: noop, pushState: noop },
+        localStorage: createStorage(storage),
+        sessionStorage: createStorage(),
+        innerWidth: width,
+        innerHeight: height,
+        devicePixelRatio: 1,
+        screen: { width, height, orientation: { type: 'landscape-primary' } },
+        matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop, addListener: noop }),
+        getComputedStyle: () => ({ getPropertyValue: () => '', touchAction: 'none' }),
+        alert: msg => logs.push('alert: ' + msg),
+        confirm: () => true,
+        prompt: () => null,
+        fetch: () => Promise.reject(new Error('offline (headless)')),
+        addEventListener(type, fn) { (windowListeners[type] = windowListeners[type] || []).push(fn); },
+        removeEventListener(type, fn) { windowListeners[type] = (windowListeners[type] || []).filter(f => f !== fn); },
+        Image: class { set src(v) { this._src = v; if (this.onload) this.onload(); } get src() { return this._src; } }
+    };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    sandbox.globalThis = sandbox;
+    vm.createContext(sandbox);
+
+    // Run due timers, then move the clock on by `ms`
+    function advance(ms) {
+        const until = clock.now + ms;
+        for (;;) {
+            const due = clock.timers.filter(t => t.at <= until).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+            clock.now = Math.max(clock.now, due.at);
+            if (due.every) due.at += due.every;
+            else clearTimer(due.id);
+            due.fn();
+        }
+        clock.now = until;
+    }
+
+    // One display frame: advance a frame's worth of time and run queued rAF callbacks
+    function frame() {
+        advance(FRAME_MS);
+        const callbacks = clock.rafs;
+        clock.rafs = [];
+        callbacks.forEach(fn => fn(clock.now));
+    }
+
+    return {
+        sandbox,
+        document,
+        clock,
+        logs,
+        windowListeners,
+        advance,
+        frame,
+        run: code => vm.runInContext(code, sandbox),
+        eval: expr => vm.runInContext(`(${expr})`, sandbox)
+    };
+}
+
+// ============================================
+// 2D GAME (index.html)
+// ============================================
+// `input` for step()/frames(): an object of held actions ({ right: true, jump: true }),
+// or a function (frame, game) => actions that is asked every step.
+function applyInput(game, input, i) {
+    const held = typeof input === 'function' ? input(i, game) || {} : input || {};
+    const keys = game.keys;
+    for (const k in keys) keys[k] = !!held[k];
+}
+
+function loadGame2D({ seed = 'HEADLESS', ...options } = {}) {
+    const browser = createBrowser(options);
+    browser.run(readInlineScripts('index.html'));
+
+    const game = {
+        ...browser,
+        seed,
+        get keys() { return browser.eval('keys'); },
+        get raanman() { return browser.eval('raanman'); },
+        get state() { return browser.eval('gameState'); },
+
+        // Fresh seeded run, exactly like pressing START with a seed entered
+        start(runSeed = seed) {
+            browser.run(`startNewRun(${JSON.stringify(runSeed)})`);
+            return game;
+        },
+
+        // Fixed simulation steps only (what a replay runs) - fast, no drawing
+        step(count = 1, input) {
+            for (let i = 0; i < count; i++) {
+                applyInput(game, input, i);
+                browser.advance(FRAME_MS);
+                browser.run('stepGame()');
+            }
+            return game;
+        },
+
+        // Whole display frames through the real requestAnimationFrame loop, drawing included
+        frames(count = 1, input) {
+            for (let i = 0; i < count; i++) {
+                applyInput(game, input, i);
+                browser.frame();
+            }
+            return game;
+        },
+
+        // Step until cond(game) holds; returns the steps taken, or -1 if maxSteps ran out first
+        until(cond, { maxSteps = 60 * 60, input } = {}) {
+            for (let i = 0; i < maxSteps; i++) {
+                if (cond(game)) return i;
+                game.step(1, input && ((frame, g) => (typeof input === 'function' ? input(i, g) : input)));
+            }
+            return cond(game) ? maxSteps : -1;
+        },
+
+        snapshot() {
+            return browser.eval(`({
+                state: gameState, level: currentLevel, frame: simFrame,
+                x: raanman.x, y: raanman.y, vx: raanman.vx, vy: raanman.vy, grounded: raanman.grounded,
+                health, score, totalScore: score + totalRunScore, combo, maxCombo, hackMeter,
+                bossesDefeated, boss: currentBoss && { key: currentBoss.key, health: currentBoss.health, active: currentBoss.active }
+            })`);
+        }
+    };
+    return game;
+}
+
+// A scripted player for the campaign: runs right, jumps gaps, TODO blocks,
+// enemies and the boss, saves its double jump for pits, grabs fragments
+// overhead and fires HACK whenever the boss is in range. Not clever - if it
+// can clear a level, the level (and the code under it) works.
+function createBot2D() {
+    let lastJump = false;
+    let lastHack = false;
+    return (frame, game) => {
+        const w = game.eval(`({
+            r: raanman, platforms, hackMeter, hackRange: 500 + upgrades.hackPower * 75,
+            todos: todoBlocks.filter(t => !t.deleted),
+            bugs: bugs.filter(b => !b.dead),
+            frags: fragments.filter(f => !f.collected),
+            boss: currentBoss && currentBoss.active ? currentBoss : null
+        })`);
+        const r = w.r;
+        const feet = r.x + r.width / 2;
+        const groundAhead = w.platforms.some(p => feet + 70 >= p.x && feet + 70 <= p.x + p.width && p.y >= r.y - 2 && p.y <= r.y + 200);
+        const blocked = w.todos.some(t => t.x > r.x && t.x - (r.x + r.width) < 70 && t.y < r.y && t.y + t.height > r.y - r.height) ||
+                        w.bugs.some(b => b.x > r.x && b.x - r.x < 90 && Math.abs(b.y - (r.y - 20)) < 60);
+        const bossClose = w.boss && w.boss.x - r.x > -40 && w.boss.x - r.x < 170;
+        const fragAbove = w.frags.some(f => f.x > r.x && f.x - r.x < 50 && f.baseY < r.y - 40);
+        const inPit = r.y > 440 && !w.platforms.some(p => feet + 20 >= p.x && feet - 20 <= p.x + p.width && p.y >= r.y - 10 && p.y < r.y + 60);
+
+        let jump = r.grounded ? (!groundAhead || blocked || bossClose || fragAbove) : (r.vy > 0 && r.jumpsLeft > 0 && inPit);
+        // Jumps and HACK trigger on press, so let go for a step in between
+        jump = jump && !lastJump;
+        const hack = w.hackMeter >= 100 && !!w.boss && Math.abs(w.boss.x - r.x) < w.hackRange - 50 && !lastHack;
+        lastJump = jump;
+        lastHack = hack;
+        return { right: true, jump, hack };
+    };
+}
+
+// ============================================
+// 3D GAME (raanman3d/index.html)
+// ============================================
+// Just enough of Babylon for the game logic: meshes are plain objects with
+// position/rotation/scaling and an axis-aligned bounding box from their
+// creation options; rendering is a no-op.
+function createBabylonStub() {
+    class Vector3 {
+        constructor(x = 0, y = 0, z = 0) { this.x = x; this.y = y; this.z = z; }
+        add(o) { return new Vector3(this.x + o.x, this.y + o.y, this.z + o.z); }
+        subtract(o) { return new Vector3(this.x - o.x, this.y - o.y, this.z - o.z); }
+        addInPlace(o) { this.x += o.x; this.y += o.y; this.z += o.z; return this; }
+        subtractInPlace(o) { this.x -= o.x; this.y -= o.y; this.z -= o.z; return this; }
+        scale(k) { return new Vector3(this.x * k, this.y * k, this.z * k); }
+        scaleInPlace(k) { this.x *= k; this.y *= k; this.z *= k; return this; }
+        length() { return Math.hypot(this.x, this.y, this.z); }
+        normalize() { const l = this.length() || 1; this.x /= l; this.y /= l; this.z /= l; return this; }
+        clone() { return new Vector3(this.x, this.y, this.z); }
+        copyFrom(o) { this.x = o.x; this.y = o.y; this.z = o.z; return this; }
+        set(x, y, z) { this.x = x; this.y = y; this.z = z; return this; }
+        static Zero() { return new Vector3(); }
+        static Lerp(a, b, t) { return new Vector3(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + (b.z - a.z) * t); }
+        static Distance(a, b) { return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z); }
+    }
+    function Color3(r = 0, g = 0, b = 0) { return { r, g, b, scale: k => Color3(r * k, g * k, b * k), clone: () => Color3(r, g, b) }; }
+    Color3.FromHexString = hex => {
+        const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+        return Color3((n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255);
+    };
+    Color3.Lerp = (a, b, t) => Color3(a.r + (b.r - a.r) * t, a.g + (b.g - a.g) * t, a.b + (b.b - a.b) * t);
+    function Color4(r = 0, g = 0, b = 0, a = 1) { return { r, g, b, a }; }
+
+    const meshes = [];
+    const engine = { loop: null };
+    function createMesh(name, opts = {}) {
+        const half = k => (opts[k] !== undefined ? opts[k] : opts.size !== undefined ? opts.size : opts.diameter !== undefined ? opts.diameter : 1) / 2;
+        const mesh = {
+            name,
+            position: new Vector3(),
+            rotation: new Vector3(),
+            scaling: new Vector3(1, 1, 1),
+            isVisible: true,
+            visibility: 1,
+            parent: null,
+            material: null,
+            metadata: null,
+            _disposed: false,
+            computeWorldMatrix() {},
+            freezeWorldMatrix() {},
+            setEnabled(on) { mesh.isVisible = on; },
+            isEnabled: () => mesh.isVisible,
+            dispose() { mesh._disposed = true; const i = meshes.indexOf(mesh); if (i >= 0) meshes.splice(i, 1); },
+            isDisposed: () => mesh._disposed,
+            getChildMeshes: () => meshes.filter(m => m.parent === mesh),
+            getBoundingInfo() {
+                const p = mesh.position;
+                const w = half('width') * mesh.scaling.x, h = half('height') * mesh.scaling.y, d = half('depth') * mesh.scaling.z;
+                return { boundingBox: { minimumWorld: { x: p.x - w, y: p.y - h, z: p.z - d }, maximumWorld: { x: p.x + w, y: p.y + h, z: p.z + d } } };
+            }
+        };
+        meshes.push(mesh);
+        return mesh;
+    }
+    const ctor = make => function(...args) { return make(...args); };
+    const BABYLON = {
+        Vector3,
+        Color3,
+        Color4,
+        Engine: ctor(() => ({ runRenderLoop(fn) { engine.loop = fn; }, getDeltaTime: () => FRAME_MS, resize() {}, getFps: () => 60 })),
+        Scene: Object.assign(ctor(() => ({ meshes, render() {}, getEngine: () => ({ getDeltaTime: () => FRAME_MS }), registerBeforeRender() {} })), { FOGMODE_EXP2: 3 }),
+        FreeCamera: ctor(() => ({ position: new Vector3(), rotation: new Vector3(), detachControl() {}, attachControl() {}, setTarget() {} })),
+        HemisphericLight: ctor(() => ({ diffuse: Color3(), groundColor: Color3() })),
+        DirectionalLight: ctor(() => ({ position: new Vector3(), diffuse: Color3() })),
+        PointLight: ctor(() => ({ position: new Vector3(), diffuse: Color3() })),
+        GlowLayer: ctor(() => ({ intensity: 1 })),
+        ShadowGenerator: Object.assign(ctor(() => ({ addShadowCaster() {}, getShadowMap: () => ({ renderList: [] }) })), { QUALITY_MEDIUM: 1 }),
+        StandardMaterial: ctor(name => ({ name, diffuseColor: Color3(), emissiveColor: Color3(), specularColor: Color3(), alpha: 1 })),
+        DefaultRenderingPipeline: ctor(() => ({ chromaticAberration: {}, grain: {}, bloom: {}, imageProcessing: {} })),
+        TransformNode: ctor(name => createMesh(name)),
+        SolidParticleSystem: ctor(() => ({
+            nbParticles: 0,
+            particles: [],
+            addShape(shape, count) { for (let i = 0; i < count; i++) this.particles.push({ position: new Vector3(), velocity: new Vector3(), color: Color4(), scaling: new Vector3(1, 1, 1), rotation: new Vector3(), isVisible: true }); this.nbParticles = this.particles.length; },
+            buildMesh: () => createMesh('sps'),
+            setParticles() {},
+            initParticles() {}
+        })),
+        MeshBuilder: new Proxy({}, { get: () => (name, opts) => createMesh(name, opts) })
+    };
+    return { BABYLON, meshes, engine };
+}
+
+const KEY_CODES_3D = { forward: 'KeyW', back: 'KeyS', left: 'KeyA', right: 'KeyD', jump: 'Space', hack: 'KeyE' };
+
+function loadGame3D({ random = 3, ...options } = {}) {
+    const browser = createBrowser({ url: 'https://raanman.lol/raanman3d/', random, ...options });
+    const babylon = createBabylonStub();
+    browser.sandbox.BABYLON = babylon.BABYLON;
+    browser.run(readInlineScripts('raanman3d/index.html'));
+
+    const game = {
+        ...browser,
+        meshes: babylon.meshes,
+        get keys() { return browser.eval('keys'); },
+        get state() { return browser.eval('STATE'); },
+
+        start() {
+            browser.document.getElementById('startBtn').click();
+            return game;
+        },
+
+        // Render-loop ticks; the 3D game steps by engine delta time, so a tick is one 1/60s frame.
+        // Input goes through the page's own keydown/keyup handlers (HACK fires on keydown).
+        step(count = 1, input) {
+            for (let i = 0; i < count; i++) {
+                const held = typeof input === 'function' ? input(i, game) || {} : input || {};
+                for (const action in KEY_CODES_3D) {
+                    const code = KEY_CODES_3D[action];
+                    const down = !!game.keys[code];
+                    if (!!held[action] !== down) browser.document.dispatch(down ? 'keyup' : 'keydown', { code, key: code, repeat: false });
+                }
+                browser.advance(FRAME_MS);
+                babylon.engine.loop();
+            }
+            return game;
+        },
+
+        snapshot() {
+            return browser.eval(`({
+                level: STATE.level, health: STATE.health, score: STATE.score, combo: STATE.combo,
+                collected: STATE.levelCollected, stomped: STATE.levelStomped, portalOpen: STATE.portalOpen,
+                gameOver: STATE.gameOver, victory: STATE.victory,
+                x: playerRoot.position.x, y: playerRoot.position.y, z: playerRoot.position.z
+            })`);
+        }
+    };
+    return game;
+}
+
+module.exports = { loadGame2D, loadGame3D, createBot2D, createBrowser, seededRandom, FRAME_MS };